@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Command line importer, see `mf-import --help`.
+ * Exits with 0 when everything was imported (or every checked link is alive), 1 when some lines failed
+ * and 2 when it couldn't start.
+ */
+"use strict";
+
+const fs = require("fs");
+const MF = require("./mediafire.js");
+const InputFormats = require("./input-formats.js");
+const MFImporter = require("./importer.js");
+
+const {TOKEN_POOL_SIZE, formatBytes} = MFImporter;
+
+const APP_ID = 42709;
+
+const USAGE = `Usage: mf-import --email <email> --links <file> [options]
+       mf-import --email <email> --export-manifest <file>
+
+Imports Mediafire links and filename;filesize;SHA256_hash lines into your account,
+or backs the account up as such lines with folder paths.
+
+Options:
+  --email <email>        account to import into
+  --password <password>  its password, MF_PASSWORD from the environment is used
+                         if not given, and asked for if neither is set
+  --links <file>         file with the input, "-" reads it from stdin
+  --check                check the links instead of importing them: alive (with name,
+                         size and hash), removed, private or invalid
+  --export-manifest <file>
+                         write all files of the account to the file ("-" for stdout)
+                         instead of importing, import it with --keep-structure
+                         to restore the account or clone it into another one
+  --format <format>      auto (default), lines, sha256sum, csv, json or text
+  --folder <path>        target folder like Games/Archive, missing folders are created
+  --rename <template>    name copies after a template, {name}, {ext}, {source_key}
+                         and {index} are replaced, like "{index} - {name}{ext}"
+  --on-conflict <action> when the name is taken: skip (default), keep (both) or replace
+  --privacy <privacy>    make copies public or private
+  --private              same as --privacy private
+  --description <text>   set the description of copies
+  --file-password <pass> protect copies with a password (premium accounts)
+  --verify               check name, size and hash of every copy
+  --keep-structure       recreate folder structure of folder links and manifest paths
+  --continue-on-error    don't stop at the first failure
+  --over-quota <action>  when the files don't fit into the free space: stop (default),
+                         fit (copy only what fits) or all (copy everything anyway)
+  --concurrency <n>      parallel requests, 1 to ${TOKEN_POOL_SIZE} (default 3)
+  --timeout <seconds>    give up on requests taking longer (default 60), they're retried
+  --api-url <url>        API base url, like http://localhost:8080/api/ for a test server
+  --help                 show this message
+`;
+
+const FLAGS = new Set(["private", "keep-structure", "continue-on-error", "verify", "check", "help"]);
+const VALUES = new Set([
+  "email", "password", "links", "export-manifest", "format", "folder", "concurrency", "timeout", "api-url",
+  "rename", "on-conflict", "privacy", "description", "file-password", "over-quota"
+]);
+const QUOTA_ACTIONS = new Set(["stop", "fit", "all"]);
+const CONFLICT_ACTIONS = new Set(["skip", "keep", "replace"]);
+const PRIVACY = new Set(["public", "private"]);
+
+class UsageError extends Error {}
+
+const parseArgs = argv => {
+  const args = {
+    format: "auto", folder: "", concurrency: "3", timeout: "60",
+    rename: "", "on-conflict": "skip", description: "", "file-password": "", "over-quota": "stop"
+  };
+  for(let i = 0; i < argv.length; ++i) {
+    const [, name, inline] = argv[i].match(/^--([^=]+)(?:=(.*))?$/) || [];
+    if(FLAGS.has(name)) {
+      args[name] = true;
+    } else if(VALUES.has(name)) {
+      const value = typeof inline !== "undefined" ? inline : argv[++i];
+      if(typeof value === "undefined")
+        throw new UsageError(`--${name} needs a value`);
+      args[name] = value;
+    } else {
+      throw new UsageError(`unknown argument: ${argv[i]}`);
+    }
+  }
+  if(args.help)
+    return args;
+  if(typeof args.email === "undefined")
+    throw new UsageError("--email is required");
+  if(typeof args.links === "undefined" && typeof args["export-manifest"] === "undefined")
+    throw new UsageError("--links or --export-manifest is required");
+  args.concurrency = Number(args.concurrency);
+  if(!Number.isInteger(args.concurrency) || args.concurrency < 1 || args.concurrency > TOKEN_POOL_SIZE)
+    throw new UsageError(`--concurrency must be a number from 1 to ${TOKEN_POOL_SIZE}`);
+  if(args.private)
+    args.privacy = "private";
+  if(typeof args.privacy !== "undefined" && !PRIVACY.has(args.privacy))
+    throw new UsageError("--privacy must be public or private");
+  if(!CONFLICT_ACTIONS.has(args["on-conflict"]))
+    throw new UsageError("--on-conflict must be skip, keep or replace");
+  if(!QUOTA_ACTIONS.has(args["over-quota"]))
+    throw new UsageError("--over-quota must be stop, fit or all");
+  args.timeout = Number(args.timeout);
+  if(!(args.timeout > 0))
+    throw new UsageError("--timeout must be a positive number");
+  return args;
+};
+
+// reads a line from the terminal without echoing it
+const readPassword = question => new Promise((resolve, reject) => {
+  const stdin = process.stdin;
+  if(!stdin.isTTY)
+    return reject(new UsageError("no password given and stdin is not a terminal"));
+
+  let password = "";
+  const finish = () => {
+    stdin.removeListener("data", onData);
+    stdin.setRawMode(false);
+    stdin.pause();
+    process.stderr.write("\n");
+  };
+  const onData = chars => {
+    for(const c of chars) {
+      if(c === "\r" || c === "\n") {
+        finish();
+        return resolve(password);
+      }
+      if(c === "\u0003") {
+        finish();
+        return reject(new UsageError("cancelled"));
+      }
+      password = c === "\u007f" || c === "\b" ? password.slice(0, -1) : password + c;
+    }
+  };
+
+  process.stderr.write(question);
+  stdin.setRawMode(true);
+  stdin.setEncoding("utf8");
+  stdin.on("data", onData);
+  stdin.resume();
+});
+
+const readInput = path => fs.readFileSync(path === "-" ? 0 : path, "utf8");
+
+// writes the manifest of the whole account, line by line so a large account doesn't pile up in memory
+const exportManifest = async (importer, path) => {
+  const output = path === "-" ? process.stdout : fs.createWriteStream(path);
+  let count = 0;
+  try {
+    for await(const line of importer.exportManifest()) {
+      if(!output.write(`${line}\n`))
+        await new Promise(resolve => output.once("drain", resolve));
+      ++count;
+    }
+  } finally {
+    if(output !== process.stdout)
+      await new Promise(resolve => output.end(resolve));
+  }
+  console.error(`Exported ${count} files.`);
+};
+
+const main = async argv => {
+  const args = parseArgs(argv);
+  if(args.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const exporting = typeof args["export-manifest"] !== "undefined";
+  const text = exporting ? "" : readInput(args.links);
+  const password = args.password || process.env.MF_PASSWORD || await readPassword(`Password for ${args.email}: `);
+
+  const app = new MF(APP_ID, {tokensStored: TOKEN_POOL_SIZE, timeout: args.timeout * 1000, apiPath: args["api-url"]});
+  // the session can expire during long imports, log in again once for all requests waiting on it
+  let relogin = null;
+  const importer = MFImporter.createImporter(app, {
+    onRetry: (path, err, delay) => console.error(`${path} failed (${err.message}), retrying in ${Math.round(delay)} ms`),
+    onSessionError: () => {
+      if(relogin === null) {
+        console.error("Session expired, logging in again");
+        relogin = app.login({email: args.email, password}).finally(() => {
+          relogin = null;
+        });
+      }
+      return relogin;
+    }
+  });
+  try {
+    await app.login({email: args.email, password});
+  } catch (err) {
+    console.error(`Can't log in: ${err.message}`);
+    return 2;
+  }
+
+  if(exporting) {
+    try {
+      await exportManifest(importer, args["export-manifest"]);
+    } catch (err) {
+      console.error(`Can't export the account: ${err.message}`);
+      return 1;
+    }
+    return 0;
+  }
+
+  const {format, items, unparsed} = InputFormats.parse(text, args.format, {filename: args.links});
+  const lines = [];
+  for(const line of await importer.itemsToLines(items, unparsed)) {
+    const parsed = MFImporter.parseLine(line);
+    if(parsed !== null)
+      lines.push({...parsed, line});
+  }
+  for(const {line, reason} of unparsed)
+    console.error(`[skipped] ${line}: ${reason}`);
+  console.log(`Read ${lines.length} lines as ${format}.`);
+
+  if(args.check) {
+    const counts = {alive: 0, removed: 0, private: 0, invalid: 0, error: 0};
+    await MFImporter.runConcurrent(lines.map(parsed => parsed.line), args.concurrency, importer.checkLink, result => {
+      counts[result.state] += 1;
+      const file = result.state === "alive" ? `: ${MFImporter.manifestLine(result)}` : "";
+      console.log(`[${result.state}] ${result.line}${file}${result.note === "" ? "" : `: ${result.note}`}`);
+    });
+    console.log(`Checked: ${counts.alive} alive, ${counts.removed} removed, ${counts.private} private, ` +
+      `${counts.invalid} invalid, ${counts.error} couldn't be checked.`);
+    return counts.alive === lines.length ? 0 : 1;
+  }
+
+  let targetKey;
+  try {
+    targetKey = await importer.ensureFolderPath(null, args.folder);
+  } catch (err) {
+    console.error(`Can't open the target folder: ${err.message}`);
+    return 2;
+  }
+
+  // skips what doesn't fit into the account, or everything with --over-quota stop
+  const fitQuota = async entries => {
+    let quota;
+    try {
+      quota = await importer.checkQuota(entries);
+    } catch (err) {
+      console.error(`Can't check the free space: ${err.message}`);
+      return entries;
+    }
+    const {size, free, fits, rest} = quota;
+    if(size <= free)
+      return entries;
+
+    console.error(`The files take ${formatBytes(size)}, but only ${formatBytes(free)} is free in the account.`);
+    if(args["over-quota"] === "all")
+      return entries;
+    if(args["over-quota"] === "stop") {
+      console.error("Trim the list, or use --over-quota fit to copy only what fits.");
+      return null;
+    }
+    for(const entry of rest)
+      console.log(`[skipped] ${entry.filename}: doesn't fit into your storage`);
+    return fits;
+  };
+
+  const counts = {added: 0, exists: 0, missing: 0, failed: 0};
+  // without --continue-on-error the run stops at the first failure, the lines and files it never got to are
+  // listed so the log shows the import is incomplete
+  const resolved = new Set(), imported = new Set();
+  let toCopy = [];
+  const failures = await importer.run(lines, [], {
+    targetKey,
+    concurrency: args.concurrency,
+    continueOnError: Boolean(args["continue-on-error"]),
+    keepStructure: Boolean(args["keep-structure"]),
+    rename: args.rename,
+    conflict: args["on-conflict"],
+    metadata: {privacy: args.privacy || null, description: args.description, password: args["file-password"]},
+    verify: Boolean(args.verify)
+  }, {
+    onResolveError: (parsed, err) => {
+      resolved.add(parsed);
+      console.log(`[failed] ${parsed.line}: ${err.message}`);
+    },
+    onResolved: (parsed, entries) => {
+      resolved.add(parsed);
+      return entries;
+    },
+    beforeImport: async entries => {
+      const fitting = await fitQuota(entries);
+      toCopy = fitting || [];
+      return fitting;
+    },
+    onImport: ({entry, status, newQuickKey}, reason) => {
+      imported.add(entry);
+      counts[status] += 1;
+      const link = typeof newQuickKey === "undefined" ? "" : ` -> https://www.mediafire.com/file/${newQuickKey}/`;
+      console.log(`[${status}] ${entry.filename}${link}${reason === null ? "" : `: ${reason}`}`);
+    }
+  });
+  if(failures === null) {
+    console.log("Nothing copied.");
+    return 1;
+  }
+
+  const notAttempted = [
+    ...lines.filter(parsed => !resolved.has(parsed)).map(parsed => parsed.line),
+    ...toCopy.filter(entry => !imported.has(entry)).map(entry => entry.filename)
+  ];
+  for(const name of notAttempted)
+    console.log(`[not attempted] ${name}`);
+
+  console.log(`Done: ${counts.added} added, ${counts.exists} already present, ` +
+    `${failures.length} failed (${counts.missing} of them not found on Mediafire)` +
+    (notAttempted.length > 0 ? `, ${notAttempted.length} not attempted.` : "."));
+  return failures.length > 0 ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exit(code);
+}, err => {
+  if(err instanceof UsageError) {
+    console.error(`mf-import: ${err.message}\n\n${USAGE}`);
+  } else {
+    console.error(err);
+  }
+  process.exit(2);
+});
@@ -0,0 +1,685 @@
+/**
+ * The import pipeline: turns links and filename;size;hash lines into instant uploads to a MediaFire account.
+ * Works in a page (as `window.MFImporter`, next to mediafire.js) and under Node.js (`require("./importer.js")`).
+ */
+(function(root) {
+  "use strict";
+
+  // upload/instant error for a hash and size Mediafire doesn't have
+  const NOT_FOUND_CODE = 129;
+  // file/get_info error for a quick key that doesn't exist (anymore)
+  const INVALID_KEY_CODE = 110;
+  // file/get_info error for a file its owner made private
+  const ACCESS_DENIED_CODE = 114;
+  // files updated with a single file/update call
+  const UPDATE_BATCH_SIZE = 100;
+
+  const manifestRegex = /^(?<filename>.+?);(?<size>\d+);(?<hash>[a-zA-Z0-9]{64})$/;
+  const fileRegex = /^https?:\/\/(?:www\.)?mediafire\.com\/file\/(?<quickKey>[a-zA-Z0-9]+)/;
+  const folderRegex = /^https?:\/\/(?:www\.)?mediafire\.com\/(?:folder\/|\?|#)(?<folderKey>[a-zA-Z0-9]+)/;
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // classifies a line of input, returns null for lines we don't understand;
+  // manifest lines may put a folder path before the filename, like "Games/Archive/file.zip;123;hash"
+  const parseLine = line => {
+    let x = line.match(manifestRegex);
+    if(x !== null) {
+      const {filename, size, hash} = x.groups;
+      const slash = filename.lastIndexOf("/");
+      return {type: "manifest", filename: filename.slice(slash + 1), path: filename.slice(0, slash + 1), size, hash};
+    }
+    x = line.match(folderRegex);
+    if(x !== null)
+      return {type: "folder", folderKey: x.groups.folderKey};
+    x = line.match(fileRegex);
+    if(x !== null)
+      return {type: "file", quickKey: x.groups.quickKey};
+    return null;
+  };
+
+  // runs `worker` on all items, at most `concurrency` at once, and passes the results to `onResult`
+  // in input order; when `onResult` returns false no new items are started, the optional `control`
+  // (see createControl) holds new items back while paused, once cancelled nothing is started nor reported
+  const runConcurrent = async (items, concurrency, worker, onResult, control = null) => {
+    const results = new Map();
+    let next = 0, reported = 0, stopped = false;
+
+    const runner = async () => {
+      while(!stopped && next < items.length) {
+        if(control !== null && (!await control.proceed() || stopped || next >= items.length))
+          break;
+        const index = next++;
+        results.set(index, await worker(items[index], index));
+        if(control !== null && control.isCancelled())
+          break;
+        while(results.has(reported)) {
+          if(onResult(results.get(reported), reported) === false)
+            stopped = true;
+          results.delete(reported++);
+        }
+      }
+    };
+    await Promise.all(Array.from({length: Math.min(concurrency, items.length)}, runner));
+  };
+
+  // pause, resume and cancel switch of a running import, `onCancel` listeners are called on cancel
+  const createControl = () => {
+    let paused = false, cancelled = false;
+    let resumed = Promise.resolve(), wake = () => {};
+    const cancelListeners = [];
+    return {
+      isPaused: () => paused,
+      isCancelled: () => cancelled,
+      pause: () => {
+        if(paused || cancelled)
+          return;
+        paused = true;
+        resumed = new Promise(resolve => wake = resolve);
+      },
+      resume: () => {
+        paused = false;
+        wake();
+      },
+      cancel: () => {
+        if(cancelled)
+          return;
+        cancelled = true;
+        paused = false;
+        wake();
+        cancelListeners.forEach(listener => listener());
+      },
+      onCancel: listener => {
+        cancelListeners.push(listener);
+      },
+      // waits while paused, resolves to false once cancelled
+      proceed: async () => {
+        while(paused)
+          await resumed;
+        return !cancelled;
+      }
+    };
+  };
+
+  const fileKey = ({size, hash}) => `${hash.toLowerCase()};${size}`;
+
+  // the filename;size;hash line of a file, with its folder path if it has one
+  const manifestLine = ({path = "", filename, size, hash}) => `${path}${filename};${size};${hash}`;
+
+  // splits entries into the ones fitting into `free` bytes, taken in order, and the rest
+  const fitEntries = (entries, free) => {
+    const fits = [], rest = [];
+    for(const entry of entries) {
+      const size = Number(entry.size);
+      if(size <= free) {
+        fits.push(entry);
+        free -= size;
+      } else {
+        rest.push(entry);
+      }
+    }
+    return {fits, rest};
+  };
+
+  // number of v2 session tokens to keep, every one of them can be used by one request at a time,
+  // so it's also the highest useful concurrency
+  const TOKEN_POOL_SIZE = 6;
+
+  // "1.5 GB"
+  const formatBytes = bytes => {
+    const units = ["B", "KB", "MB", "GB", "TB"];
+    let i = 0;
+    for(; bytes >= 1024 && i < units.length - 1; ++i)
+      bytes /= 1024;
+    return i === 0 ? `${bytes} B` : `${bytes.toFixed(1)} ${units[i]}`;
+  };
+
+  // fills a rename template: {name} and {ext} are the original name without and with only the extension,
+  // {source_key} the quick key of the source file (empty for filename;size;hash lines), {index} the position
+  // in the import starting at 1; an empty template keeps the original name
+  const renderName = (template, {filename, quickKey}, index) => {
+    if(template === "")
+      return filename;
+    const dot = filename.lastIndexOf(".");
+    const values = {
+      name: dot > 0 ? filename.slice(0, dot) : filename,
+      ext: dot > 0 ? filename.slice(dot) : "",
+      source_key: quickKey === null ? "" : quickKey,
+      index: String(index)
+    };
+    return template.replace(/\{(name|ext|source_key|index)\}/g, (match, key) => values[key]).trim() || filename;
+  };
+
+  // compares `checkLink` results with the `previous` ones of the same lines (a Map by line) and sets their `change`:
+  // null, "new" (not checked before), "died" (was alive, isn't anymore) or "changed" (another state, or another
+  // file behind an alive link); results of checks that couldn't ask Mediafire, now or before, are never changes
+  const compareChecks = (results, previous) => {
+    for(const result of results) {
+      const before = previous.get(result.line);
+      if(typeof before === "undefined")
+        result.change = "new";
+      else if(result.state === "error" || before.state === "error")
+        result.change = null;
+      else if(before.state === "alive" && result.state !== "alive")
+        result.change = "died";
+      else if(before.state !== result.state || result.state === "alive" && manifestLine(before) !== manifestLine(result))
+        result.change = "changed";
+      else
+        result.change = null;
+    }
+    return results;
+  };
+
+  // the reason an `importFile` result counts as a failure, or null
+  const failureReason = ({status, error}) => {
+    if(status === "missing")
+      return "not found on Mediafire servers";
+    return typeof error === "undefined" ? null : error;
+  };
+
+  /**
+   * Creates the pipeline working on a logged in MF instance.
+   * Options: `retryAttempts` and `retryDelay` (ms, doubled after every attempt) for failed requests,
+   * `onRetry(path, err, delay)` called before every retry, `onSessionError(err)` called when a request
+   * failed because the session expired, the request is repeated once the returned promise resolves
+   * (after logging in again) and fails with the error it rejects with, by default right away.
+   */
+  const createImporter = (app, {retryAttempts = 4, retryDelay = 1000, onRetry = () => {}, onSessionError = async err => { throw err; }} = {}) => {
+    const {MediaFireError, SESSION_ERROR_CODES} = app.constructor;
+    const isSessionError = err => err instanceof MediaFireError && SESSION_ERROR_CODES.includes(err.code);
+    const isRetryable = err => err instanceof MediaFireError && !err.aborted && (
+      err.status === 0 || err.status === 429 || err.status >= 500 || SESSION_ERROR_CODES.includes(err.code)
+    );
+
+    // incremented by `abort`, requests started before give up instead of retrying
+    let aborts = 0;
+    // give-up functions of requests waiting for a new login
+    const waitingForLogin = new Set();
+
+    // aborts all requests in progress, including the ones waiting for a new login
+    const abort = () => {
+      ++aborts;
+      waitingForLogin.forEach(giveUp => giveUp());
+      app.abort();
+    };
+
+    // `app.api` with retries and exponential backoff on network, server and session errors,
+    // `request` holds the SDK request settings (method, timeout, signal)
+    const api = async (path, options, request) => {
+      const started = aborts;
+      for(let attempt = 0; ; ++attempt) {
+        try {
+          // the SDK adds the session token and signature to the options, send a fresh copy every time
+          return await app.api(path, {...options}, undefined, undefined, request);
+        } catch (err) {
+          // the SDK forgets an expired session, wait for a new login and start over
+          if(isSessionError(err) && !app.isLoggedIn() && aborts === started) {
+            await new Promise((resolve, reject) => {
+              const giveUp = () => reject(err);
+              waitingForLogin.add(giveUp);
+              onSessionError(err).then(resolve, reject).finally(() => waitingForLogin.delete(giveUp));
+            });
+            attempt = -1;
+            continue;
+          }
+          if(attempt >= retryAttempts || !isRetryable(err) || aborts !== started)
+            throw err;
+          const delay = retryDelay * 2 ** attempt * (1 + Math.random() / 2);
+          onRetry(path, err, delay);
+          await sleep(delay);
+          if(aborts !== started)
+            throw err;
+        }
+      }
+    };
+
+    // used and total storage space of the account in bytes
+    const getStorage = async () => {
+      const info = (await api('user/get_info')).response.user_info;
+      return {used: Number(info.used_storage_size), limit: Number(info.storage_limit)};
+    };
+
+    // compares the total `size` of `entries` with the `free` space of the account, `fits` are the entries
+    // fitting into it (see fitEntries) and `rest` the others; `used` and `limit` are the storage usage
+    const checkQuota = async entries => {
+      const size = entries.reduce((sum, entry) => sum + Number(entry.size), 0);
+      const {used, limit} = await getStorage();
+      const free = Math.max(limit - used, 0);
+      return {size, free, used, limit, ...fitEntries(entries, free)};
+    };
+
+    // yields files or folders of a single folder, one chunk at a time
+    const getFolderContent = async function*(folderKey, contentType) {
+      for(let chunk = 1; ; ++chunk) {
+        const options = {content_type: contentType, chunk: chunk};
+        if(folderKey !== null)
+          options.folder_key = folderKey;
+        const content = (await api('folder/get_content', options)).response.folder_content;
+        yield* content[contentType];
+        if(content.more_chunks !== "yes")
+          break;
+      }
+    };
+
+    // yields all files inside the folder and its subfolders, `path` is relative to the starting folder
+    const walkFolder = async function*(folderKey, path = "") {
+      for await(const file of getFolderContent(folderKey, "files"))
+        yield {quickKey: file.quickkey, filename: file.filename, size: file.size, hash: file.hash, path: path};
+      for await(const folder of getFolderContent(folderKey, "folders"))
+        yield* walkFolder(folder.folderkey, `${path}${folder.name}/`);
+    };
+
+    // keys (or promises of keys) of already visited folders in our account, `null` is the root
+    const folderCache = new Map();
+
+    // remembers a folder seen while browsing the account
+    const cacheFolder = (parentKey, name, folderKey) => {
+      folderCache.set(`${parentKey}/${name}`, folderKey);
+    };
+
+    // returns key of the folder at `path` inside `parentKey`, creating missing folders on the way
+    const ensureFolderPath = async (parentKey, path) => {
+      for(const name of path.split("/").map(name => name.trim()).filter(name => name !== "")) {
+        const cacheKey = `${parentKey}/${name}`;
+        if(!folderCache.has(cacheKey)) {
+          // cache the promise, so parallel imports don't create the same folder twice
+          const currentKey = parentKey;
+          folderCache.set(cacheKey, (async () => {
+            for await(const folder of getFolderContent(currentKey, "folders")) {
+              if(folder.name === name)
+                return folder.folderkey;
+            }
+            const options = {foldername: name};
+            if(currentKey !== null)
+              options.parent_key = currentKey;
+            return (await api('folder/create', options)).response.folder_key;
+          })());
+        }
+        try {
+          parentKey = await folderCache.get(cacheKey);
+        } catch (err) {
+          folderCache.delete(cacheKey);
+          throw err;
+        }
+      }
+      return parentKey;
+    };
+
+    // all files in the folder and its subfolders by their hash and size
+    const indexFolder = async folderKey => {
+      const index = new Map();
+      for await(const file of walkFolder(folderKey))
+        index.set(fileKey(file), file);
+      return index;
+    };
+
+    const resolveFolder = async (folderKey, targetKey, keepStructure) => {
+      let structureKey = null;
+      if(keepStructure) {
+        const result = await api('folder/get_info', {folder_key: folderKey});
+        structureKey = await ensureFolderPath(targetKey, result.response.folder_info.name);
+      }
+      const entries = [];
+      for await(const file of walkFolder(folderKey)) {
+        file.folderKey = structureKey === null ? targetKey : await ensureFolderPath(structureKey, file.path);
+        entries.push(file);
+      }
+      return entries;
+    };
+
+    // turns a parsed line into the list of files to import, `keepStructure` recreates folders of folder links
+    // and the paths of manifest lines
+    const resolveLine = async (parsed, targetKey, {keepStructure = false} = {}) => {
+      if(parsed.type === "folder")
+        return await resolveFolder(parsed.folderKey, targetKey, keepStructure);
+      if(parsed.type === "manifest") {
+        const {filename, path, size, hash} = parsed;
+        const folderKey = keepStructure && path !== "" ? await ensureFolderPath(targetKey, path) : targetKey;
+        return [{filename, path, size, hash, quickKey: null, folderKey}];
+      }
+      const result = await api('file/get_info', {quick_key: parsed.quickKey});
+      const {filename, size, hash} = result.response.file_info;
+      return [{filename, path: "", size, hash, quickKey: parsed.quickKey, folderKey: targetKey}];
+    };
+
+    // instantly uploads a resolved file, the result's `status` is "added", "exists", "missing" or "failed";
+    // `filename` renames the copy, `conflict` is what to do when the name is taken: "skip", "keep" (both) or "replace"
+    const importFile = async (entry, {filename = entry.filename, conflict = null} = {}) => {
+      let result;
+      const {size, hash, folderKey} = entry;
+      const options = {filename: filename, size: size, hash: hash};
+      if(folderKey !== null)
+        options.folder_key = folderKey;
+      if(conflict !== null)
+        options.action_on_duplicate = conflict;
+
+      try {
+        result = await api('upload/instant', options);
+      } catch (err) {
+        if(err.code === NOT_FOUND_CODE && entry.quickKey === null)
+          return {entry, status: "missing"};
+        return {entry, status: "failed", error: err.message};
+      }
+      const newQuickKey = result.response.quickkey;
+      if(result.response.result === "Success" && typeof newQuickKey === "undefined")
+        return {entry, status: "exists"};
+      return {entry, status: "added", newQuickKey, filename};
+    };
+
+    // sets `privacy` ("public" or "private"), `description` and `password` (premium accounts only) of the files
+    // `importFile` added, failures end up in the results' `error`
+    const applyMetadata = async (results, {privacy = null, description = "", password = "", concurrency = 1} = {}) => {
+      const added = results.filter(result => result.status === "added" && typeof result.error === "undefined");
+      const options = {};
+      if(privacy !== null)
+        options.privacy = privacy;
+      if(description !== "")
+        options.description = description;
+
+      if(Object.keys(options).length > 0) {
+        for(let i = 0; i < added.length; i += UPDATE_BATCH_SIZE) {
+          const batch = added.slice(i, i + UPDATE_BATCH_SIZE);
+          try {
+            await api('file/update', {...options, quick_key: batch.map(result => result.newQuickKey).join(",")});
+          } catch (err) {
+            if(batch.length === 1) {
+              batch[0].error = err.message;
+              continue;
+            }
+            // one bad file fails the whole batch (and so would an account where file/update takes
+            // a single key only), update them one by one to find it
+            await runConcurrent(batch, concurrency, async result => {
+              try {
+                await api('file/update', {...options, quick_key: result.newQuickKey});
+              } catch (err) {
+                result.error = err.message;
+              }
+            }, () => {});
+          }
+        }
+      }
+
+      if(password !== "") {
+        await runConcurrent(added.filter(result => typeof result.error === "undefined"), concurrency, async result => {
+          try {
+            await api('file/update_password', {quick_key: result.newQuickKey, password});
+          } catch (err) {
+            result.error = `password not set: ${err.message}`;
+          }
+        }, () => {});
+      }
+    };
+
+    // compares the copy `newQuickKey` with its source: `filename` (null skips the name check), `size` and `hash`,
+    // or the file `quickKey` if they aren't given; resolves to the differences, none when the copy is fine
+    const verifyCopy = async ({newQuickKey, quickKey = null, filename = null, size, hash}) => {
+      if(typeof hash === "undefined") {
+        const source = (await api('file/get_info', {quick_key: quickKey})).response.file_info;
+        ({size, hash} = source);
+      }
+      let copy;
+      try {
+        copy = (await api('file/get_info', {quick_key: newQuickKey})).response.file_info;
+      } catch (err) {
+        if(err.code === INVALID_KEY_CODE)
+          return ["copy not found"];
+        throw err;
+      }
+      const problems = [];
+      if(filename !== null && copy.filename !== filename)
+        problems.push(`name is ${copy.filename}`);
+      if(Number(copy.size) !== Number(size))
+        problems.push(`size is ${copy.size} instead of ${size}`);
+      if(copy.hash.toLowerCase() !== hash.toLowerCase())
+        problems.push("hash differs");
+      return problems;
+    };
+
+    // verifies files `importFile` added, mismatching and missing copies get an `error`; pass the `conflict`
+    // policy of the import, with "keep" Mediafire renames copies whose name is taken so their names aren't checked
+    const verifyResults = async (results, concurrency = 1, conflict = null) => {
+      const added = results.filter(result => result.status === "added" && typeof result.error === "undefined");
+      await runConcurrent(added, concurrency, async result => {
+        const {entry, newQuickKey, filename} = result;
+        try {
+          const problems = await verifyCopy({newQuickKey, filename: conflict === "keep" ? null : filename, size: entry.size, hash: entry.hash});
+          if(problems.length > 0)
+            result.error = `copy doesn't match: ${problems.join(", ")}`;
+        } catch (err) {
+          result.error = `can't verify the copy: ${err.message}`;
+        }
+      }, () => {});
+    };
+
+    // checks if a file could be instantly copied, without copying it
+    const probeFile = async ({filename, size, hash}) => {
+      const result = (await api('upload/check', {filename, size, hash})).response;
+      if(result.hash_exists !== "yes")
+        return {ok: false, note: "not found on Mediafire servers"};
+      if(result.in_account === "yes")
+        return {ok: true, note: "already in your account"};
+      return {ok: true, note: "can be copied"};
+    };
+
+    // resolves a line without creating or copying anything, returns one row for every file
+    const validateLine = async line => {
+      const parsed = parseLine(line);
+      if(parsed === null)
+        return [{line, type: "unrecognized", ok: false, note: "not a link nor filename;size;hash, skipped"}];
+
+      const type = parsed.type;
+      let files;
+      try {
+        if(type === "folder") {
+          files = [];
+          for await(const file of walkFolder(parsed.folderKey))
+            files.push({...file, filename: file.path + file.filename});
+          if(files.length === 0)
+            return [{line, type, ok: false, note: "empty folder"}];
+        } else {
+          files = await resolveLine(parsed, null);
+        }
+      } catch (err) {
+        return [{line, type, ok: false, note: err.message}];
+      }
+
+      const rows = [];
+      for(const file of files) {
+        try {
+          rows.push({line, type, ...file, ...await probeFile(file)});
+        } catch (err) {
+          rows.push({line, type, ...file, ok: false, note: err.message});
+        }
+      }
+      return rows;
+    };
+
+    // checks a source link without copying anything, resolves to {line, quickKey, state, note} where `state` is
+    // "alive" (with the filename, size and hash), "removed", "private", "invalid" for lines that aren't file links,
+    // or "error" if Mediafire couldn't be asked
+    const checkLink = async line => {
+      const parsed = parseLine(line);
+      if(parsed === null || parsed.type !== "file") {
+        const note = parsed === null ? "not a Mediafire link" : "only file links are checked";
+        return {line, quickKey: null, state: "invalid", note};
+      }
+
+      const quickKey = parsed.quickKey;
+      let info;
+      try {
+        info = (await api('file/get_info', {quick_key: quickKey})).response.file_info;
+      } catch (err) {
+        if(err.code === INVALID_KEY_CODE)
+          return {line, quickKey, state: "removed", note: err.message};
+        if(err.code === ACCESS_DENIED_CODE)
+          return {line, quickKey, state: "private", note: err.message};
+        return {line, quickKey, state: "error", note: err.message};
+      }
+      // files of the logged in account are visible even when they're private
+      const state = info.privacy === "private" ? "private" : "alive";
+      return {line, quickKey, state, filename: info.filename, size: info.size, hash: info.hash, note: ""};
+    };
+
+    // splits entries into new files, files already in the folder (or the whole account) and repeated ones
+    const findDuplicates = async (entries, folderKey) => {
+      const index = await indexFolder(folderKey);
+      const seen = new Set();
+      const groups = {copy: [], present: [], duplicates: []};
+      for(const entry of entries) {
+        const key = fileKey(entry);
+        if(index.has(key)) {
+          groups.present.push(entry);
+        } else if(seen.has(key)) {
+          groups.duplicates.push(entry);
+        } else {
+          seen.add(key);
+          groups.copy.push(entry);
+        }
+      }
+      return groups;
+    };
+
+    // turns items of InputFormats.parse into lines, sizes missing from sha256sum output are looked up in the account
+    const itemsToLines = async (items, unparsed) => {
+      let sizes = null;
+      const lines = [];
+      for(const item of items) {
+        if(typeof item.link !== "undefined") {
+          lines.push(item.link);
+          continue;
+        }
+        let size = item.size;
+        if(size === null) {
+          if(sizes === null) {
+            const index = await indexFolder(null);
+            sizes = new Map(Array.from(index.values(), file => [file.hash.toLowerCase(), file.size]));
+          }
+          size = sizes.has(item.hash) ? sizes.get(item.hash) : null;
+        }
+        if(size === null) {
+          unparsed.push({line: `${item.hash}  ${item.path}${item.filename}`, reason: "size unknown"});
+          continue;
+        }
+        lines.push(manifestLine({...item, size}));
+      }
+      return lines;
+    };
+
+    // yields the manifest lines of all files in the account, with their folder paths, to restore or clone it
+    const exportManifest = async function*() {
+      for await(const file of walkFolder(null))
+        yield manifestLine(file);
+    };
+
+    /**
+     * Resolves parsed `lines` (parseLine results with their `line`) and imports them together with
+     * already resolved `entries`.
+     * Settings: targetKey, concurrency, continueOnError, keepStructure, `rename` template (see renderName),
+     * `conflict` and `metadata` ({privacy, description, password}, see importFile and applyMetadata), `verify`
+     * (see verifyResults) and an optional
+     * `control` (see createControl) pausing the run, cancelling it aborts the requests in progress.
+     * Optional hooks:
+     *   onResolve(parsed) when a line starts resolving
+     *   onResolveError(parsed, err)
+     *   onResolved(parsed, entries) returns the entries of the line to import
+     *   beforeImport(entries) resolves to the entries to import, or null to cancel
+     *   onCopy(entry) when a file starts copying
+     *   onImport(result, reason) gets every importFile result and its failure reason
+     * Resolves to the failures ({line, parsed or entry, reason}), or null if cancelled.
+     */
+    const run = async (lines, entries, settings, hooks = {}) => {
+      const {
+        targetKey, concurrency, continueOnError = false, keepStructure = false,
+        rename = "", conflict = null, metadata = {}, verify = false, control = null
+      } = settings;
+      const {
+        onResolve = () => {}, onResolveError = () => {}, onResolved = (parsed, files) => files,
+        beforeImport = async entries => entries, onCopy = () => {}, onImport = () => {}
+      } = hooks;
+      const failures = [];
+      if(control !== null)
+        control.onCancel(abort);
+
+      // without `continueOnError` everything resolved before the first failure is still imported
+      let resolved = true;
+      await runConcurrent(lines, concurrency, async parsed => {
+        onResolve(parsed);
+        try {
+          return {entries: await resolveLine(parsed, targetKey, {keepStructure})};
+        } catch (err) {
+          return {error: err};
+        }
+      }, (result, index) => {
+        if(!resolved)
+          return false;
+        const parsed = lines[index];
+        if(typeof result.error !== "undefined") {
+          failures.push({line: parsed.line, parsed, reason: result.error.message});
+          onResolveError(parsed, result.error);
+          resolved = continueOnError;
+          return resolved;
+        }
+        entries.push(...onResolved(parsed, result.entries.map(entry => ({...entry, line: parsed.line}))));
+      }, control);
+      if(control !== null && control.isCancelled())
+        return null;
+
+      entries = await beforeImport(entries);
+      if(entries === null || (control !== null && control.isCancelled()))
+        return null;
+
+      const report = result => {
+        const reason = failureReason(result);
+        onImport(result, reason);
+        if(reason === null)
+          return true;
+        failures.push({line: result.entry.line, entry: result.entry, reason});
+        return continueOnError || result.status === "missing";
+      };
+
+      const indexes = new Map(entries.map((entry, index) => [entry, index + 1]));
+      const copy = entry => {
+        onCopy(entry);
+        return importFile(entry, {filename: renderName(rename, entry, indexes.get(entry)), conflict});
+      };
+      const {privacy = null, description = "", password = ""} = metadata;
+      if(privacy === null && description === "" && password === "" && !verify) {
+        await runConcurrent(entries, concurrency, copy, report, control);
+        return control !== null && control.isCancelled() ? null : failures;
+      }
+
+      // with metadata or verification files are copied in batches, the metadata is set for a whole batch
+      // at once, then the batch is verified and reported in input order; a failed copy stops the batch
+      // like it stops the run
+      let going = true;
+      for(let i = 0; going && i < entries.length; i += UPDATE_BATCH_SIZE) {
+        const results = [];
+        await runConcurrent(entries.slice(i, i + UPDATE_BATCH_SIZE), concurrency, copy, result => {
+          results.push(result);
+          return continueOnError || failureReason(result) === null || result.status === "missing";
+        }, control);
+        // files copied before a cancel still get their metadata
+        await applyMetadata(results, {...metadata, concurrency});
+        if(verify)
+          await verifyResults(results, concurrency, conflict);
+        going = results.map(report).every(Boolean) && !(control !== null && control.isCancelled());
+      }
+      return control !== null && control.isCancelled() ? null : failures;
+    };
+
+    return {
+      api, abort, getStorage, checkQuota, getFolderContent, walkFolder, cacheFolder, ensureFolderPath, indexFolder, resolveLine, importFile,
+      applyMetadata, verifyCopy, verifyResults, probeFile, validateLine, checkLink, findDuplicates, itemsToLines, exportManifest, run
+    };
+  };
+
+  const MFImporter = {
+    TOKEN_POOL_SIZE, parseLine, runConcurrent, createControl, fileKey, manifestLine, fitEntries, formatBytes, renderName, failureReason,
+    compareChecks, createImporter
+  };
+
+  if(typeof module !== "undefined" && module.exports)
+    module.exports = MFImporter;
+  else
+    root.MFImporter = MFImporter;
+})(this);
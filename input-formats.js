@@ -0,0 +1,261 @@
+/**
+ * Parsers turning the supported input formats into links and files to import.
+ * Works in a page (as `window.InputFormats`) and under Node.js (`require("./input-formats.js")`).
+ *
+ * Every parser returns {items, unparsed}: items are either {link} or {filename, path, size, hash}
+ * (size is null when the input doesn't have it), unparsed lists {line, reason} for every
+ * piece of input that couldn't be understood.
+ */
+(function(root) {
+  "use strict";
+
+  const hashRegex = /^[a-fA-F0-9]{64}$/;
+  const manifestRegex = /^(?<filename>.+?);(?<size>\d+);(?<hash>[a-zA-Z0-9]{64})$/;
+  const linkRegex = /^https?:\/\/(?:www\.)?mediafire\.com\/(?:file|folder)\/[a-zA-Z0-9]+|^https?:\/\/(?:www\.)?mediafire\.com\/[?#][a-zA-Z0-9]+/;
+  const embeddedLinkRegex = /https?:\/\/(?:www\.)?mediafire\.com\/(?:(?:file|folder)\/|[?#])[a-zA-Z0-9]+/g;
+  // `sha256sum` output, a star before the path means it was hashed in binary mode
+  const sha256sumRegex = /^(?<hash>[a-fA-F0-9]{64}) [ *](?<path>.+)$/;
+  // sizes for `sha256sum` lines, like the output of `stat -c '%s %n'` or `find -printf '%s %p\n'`
+  const sizeRegex = /^(?<size>\d+)\s+(?<path>.+)$/;
+
+  const splitLines = text => text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== "");
+
+  // "./dir/name.ext" -> {filename: "name.ext", path: "dir/"}
+  const splitPath = fullPath => {
+    const parts = fullPath.replace(/\\/g, "/").split("/").filter(part => part !== "" && part !== ".");
+    const filename = parts.pop() || "";
+    return {filename, path: parts.map(part => `${part}/`).join("")};
+  };
+
+  const toFile = (filename, size, hash) => {
+    const parsedSize = size === null || size === undefined || size === "" ? null : Number(size);
+    if(typeof filename !== "string" || filename === "")
+      return "missing filename";
+    if(parsedSize !== null && !(Number.isInteger(parsedSize) && parsedSize >= 0))
+      return `invalid size: ${size}`;
+    if(typeof hash !== "string" || !hashRegex.test(hash))
+      return `invalid SHA256 hash: ${hash}`;
+    return {...splitPath(filename), size: parsedSize, hash: hash.toLowerCase()};
+  };
+
+  // links and filename;size;hash lines, the format of the textarea; links embedded in other lines are
+  // picked up too
+  const parseLines = text => {
+    const items = [], unparsed = [];
+    for(const line of splitLines(text)) {
+      const manifest = line.match(manifestRegex);
+      const link = line.match(linkRegex);
+      if(manifest !== null) {
+        const {filename, size, hash} = manifest.groups;
+        items.push({...splitPath(filename), size: Number(size), hash});
+      } else if(link !== null) {
+        items.push({link: line});
+      } else if(embeddedLinkRegex.test(line)) {
+        items.push(...line.match(embeddedLinkRegex).map(link => ({link})));
+      } else {
+        unparsed.push({line, reason: "not a link nor filename;size;hash"});
+      }
+    }
+    return {items, unparsed};
+  };
+
+  // `sha256sum` output, optionally mixed with "<size> <path>" lines supplying the sizes
+  const parseSha256sum = text => {
+    const sizes = new Map(), sums = [], unparsed = [];
+    for(const line of splitLines(text)) {
+      let x = line.match(sha256sumRegex);
+      if(x !== null) {
+        sums.push(x.groups);
+        continue;
+      }
+      x = line.match(sizeRegex);
+      if(x !== null) {
+        sizes.set(x.groups.path.replace(/^\*/, ""), Number(x.groups.size));
+        continue;
+      }
+      unparsed.push({line, reason: "not a sha256sum line nor <size> <path>"});
+    }
+
+    // sizes may come from a different tool, so match the paths with and without "./"
+    const normalize = path => path.replace(/\\/g, "/").replace(/^\.\//, "");
+    const normalizedSizes = new Map(Array.from(sizes, ([path, size]) => [normalize(path), size]));
+    const items = sums.map(({hash, path}) => ({
+      ...splitPath(path),
+      size: normalizedSizes.has(normalize(path)) ? normalizedSizes.get(normalize(path)) : null,
+      hash: hash.toLowerCase()
+    }));
+    return {items, unparsed};
+  };
+
+  // splits CSV text into rows of fields, quoted fields may contain delimiters, quotes and newlines
+  const splitCSV = (text, delimiter) => {
+    const rows = [];
+    let row = [], field = "", quoted = false;
+    for(let i = 0; i < text.length; ++i) {
+      const c = text[i];
+      if(quoted) {
+        if(c === '"' && text[i + 1] === '"') {
+          field += '"';
+          ++i;
+        } else if(c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if(c === '"' && field === "") {
+        quoted = true;
+      } else if(c === delimiter) {
+        row.push(field);
+        field = "";
+      } else if(c === "\n" || c === "\r") {
+        if(c === "\r" && text[i + 1] === "\n")
+          ++i;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += c;
+      }
+    }
+    if(field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(row => row.some(field => field.trim() !== ""));
+  };
+
+  /**
+   * CSV with configurable columns.
+   * `columns` names what every column holds: "filename" (or "name"), "size", "hash" (or "sha256"),
+   * "link" (or "url") or "" to ignore it, e.g. "link" or ",filename,size,hash". With `header` the first
+   * row is skipped, and if `columns` is empty the header row itself is used as the column names.
+   */
+  const parseCSV = (text, {delimiter = ",", columns = "filename,size,hash", header = false} = {}) => {
+    const rows = splitCSV(text, delimiter === "\\t" ? "\t" : delimiter);
+    let names = columns.split(",").map(name => name.trim().toLowerCase());
+    if(header) {
+      const headerRow = rows.shift() || [];
+      if(columns.trim() === "")
+        names = headerRow.map(name => name.trim().toLowerCase());
+    }
+    const index = (...aliases) => names.findIndex(name => aliases.includes(name));
+    const columnIndex = {filename: index("filename", "name"), size: index("size"), hash: index("hash", "sha256"), link: index("link", "url")};
+
+    const items = [], unparsed = [];
+    for(const row of rows) {
+      const line = row.join(delimiter);
+      const get = column => column === -1 ? undefined : (row[column] || "").trim();
+      const link = get(columnIndex.link);
+      if(typeof link !== "undefined" && linkRegex.test(link)) {
+        items.push({link});
+        continue;
+      }
+      if(columnIndex.filename === -1 || columnIndex.hash === -1) {
+        unparsed.push({line, reason: columnIndex.link === -1 ? "no filename and hash columns" : "no link in the link column"});
+        continue;
+      }
+      const file = toFile(get(columnIndex.filename), get(columnIndex.size), get(columnIndex.hash));
+      if(typeof file === "string")
+        unparsed.push({line, reason: file});
+      else
+        items.push(file);
+    }
+    return {items, unparsed};
+  };
+
+  // JSON array of {filename, size, hash} objects (our JSON export works too) or link strings
+  const parseJSON = text => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return {items: [], unparsed: [{line: text.slice(0, 100), reason: `invalid JSON: ${err.message}`}]};
+    }
+    if(!Array.isArray(data))
+      return {items: [], unparsed: [{line: text.slice(0, 100), reason: "expected an array"}]};
+
+    const items = [], unparsed = [];
+    data.forEach((value, i) => {
+      const line = `[${i}] ${JSON.stringify(value)}`;
+      const link = typeof value === "string" ? value : value && (value.link || value.url);
+      if(typeof link === "string" && linkRegex.test(link.trim())) {
+        items.push({link: link.trim()});
+        return;
+      }
+      if(value === null || typeof value !== "object") {
+        unparsed.push({line, reason: "not a link nor an object"});
+        return;
+      }
+      const file = toFile(value.filename, value.size, value.hash || value.sha256);
+      if(typeof file === "string")
+        unparsed.push({line, reason: file});
+      else
+        items.push(file);
+    });
+    return {items, unparsed};
+  };
+
+  // links embedded in any text, like forum posts or HTML
+  const extractLinks = text => {
+    const items = [], unparsed = [], seen = new Set();
+    for(const line of splitLines(text)) {
+      const links = line.match(embeddedLinkRegex) || [];
+      for(const link of links) {
+        if(!seen.has(link)) {
+          seen.add(link);
+          items.push({link});
+        }
+      }
+      if(links.length === 0 && /mediafire\.com/i.test(line))
+        unparsed.push({line, reason: "mentions mediafire.com but has no recognizable link"});
+    }
+    return {items, unparsed};
+  };
+
+  const isJSONArray = text => {
+    try {
+      return Array.isArray(JSON.parse(text));
+    } catch (err) {
+      return false;
+    }
+  };
+
+  // guesses the format from the file name and the content, text starting with "[" is JSON only if it
+  // parses, it may as well be a forum post with BBCode
+  const detectFormat = (text, filename = "") => {
+    const extension = filename.toLowerCase().split(".").pop();
+    if(extension === "json" || (/^\s*\[/.test(text) && isJSONArray(text)))
+      return "json";
+    if(extension === "csv")
+      return "csv";
+    const lines = splitLines(text);
+    if(lines.some(line => sha256sumRegex.test(line)))
+      return "sha256sum";
+    if(lines.some(line => manifestRegex.test(line)) || lines.every(line => linkRegex.test(line)))
+      return "lines";
+    return "text";
+  };
+
+  const parsers = {lines: parseLines, sha256sum: parseSha256sum, csv: parseCSV, json: parseJSON, text: extractLinks};
+
+  /**
+   * Parses `text` in the given format ("auto" detects it using the optional `filename`)
+   * @param {string} text
+   * @param {string} format one of "auto", "lines", "sha256sum", "csv", "json", "text"
+   * @param {object=} options {filename} for detection, {delimiter, columns, header} for CSV
+   * @returns {{format: string, items: object[], unparsed: object[]}}
+   */
+  const parse = (text, format = "auto", options = {}) => {
+    if(format === "auto")
+      format = detectFormat(text, options.filename);
+    return {format, ...parsers[format](text, options)};
+  };
+
+  const InputFormats = {parse, detectFormat, splitCSV};
+
+  if(typeof module !== "undefined" && module.exports)
+    module.exports = InputFormats;
+  else
+    root.InputFormats = InputFormats;
+})(this);
@@ -45,7 +45,31 @@
          * @type {string}
          * @private
          */
-        this._API_PATH = '//www.mediafire.com/api/';
+        this._API_PATH = options.apiPath || '//www.mediafire.com/api/';
+
+        /**
+         * Default request timeout in milliseconds, 0 for none
+         * @constant
+         * @type {number}
+         * @private
+         */
+        this._TIMEOUT = options.timeout || 0;
+
+        /**
+         * Longest url sent with GET, requests with more parameters are sent with POST
+         * @constant
+         * @type {number}
+         * @private
+         */
+        this._MAX_URL_LENGTH = 2000;
+
+        /**
+         * Sends the requests: 'xhr', 'fetch' or a custom transport function (see MediaFire.transports)
+         * @type {function(object, function(number, string)): (function()|undefined)}
+         * @private
+         */
+        this._transport = typeof options.transport === 'function' ? options.transport :
+            transports[options.transport || (typeof XMLHttpRequest !== 'undefined' ? 'xhr' : 'fetch')];
 
         /**
          * Application ID
@@ -103,6 +127,27 @@
          */
         this._actionToken;
 
+        /**
+         * Called when the session token expires and a new login is needed
+         * @type {function()}
+         * @private
+         */
+        this._onSessionExpired = options.onSessionExpired || function() {};
+
+        /**
+         * Functions aborting the requests in progress
+         * @type {Array.<function()>}
+         * @private
+         */
+        this._pendingRequests = [];
+
+        /**
+         * Interval renewing v1 session tokens
+         * @type {number}
+         * @private
+         */
+        this._renewInterval;
+
         /**
          * Asynchronously loads the necessary resources before performing an upload
          * @param {(object|function)=} callback The success and/or error callback functions
@@ -145,6 +190,70 @@
             return callback || {};
         };
 
+        /**
+         * Calls `call` with a conformed callback, or with one settling a Promise if no callback was given
+         * @param {(object|function)=} callback The success and/or error callback functions
+         * @param {function(object)} call Function performing the request
+         * @returns {(Promise|undefined)} Promise of the response if no callback was given
+         * @private
+         */
+        this._promisify = function(callback, call) {
+            if(callback) {
+                call.call(this, this._parseCallback(callback));
+                return;
+            }
+
+            var self = this;
+            return new Promise(function(resolve, reject) {
+                call.call(self, {
+                    success: resolve,
+                    error: function(data, req) {
+                        reject(self._createError(data, req));
+                    }
+                });
+            });
+        };
+
+        /**
+         * Creates a typed error from a failed response
+         * @param {*} data The parsed (or raw, if unparsable) response
+         * @param {object=} req The request that failed, see _get
+         * @returns {MediaFireError}
+         * @private
+         */
+        this._createError = function(data, req) {
+            var status = req ? req.status : 0;
+            var response = data && data.response;
+            if(response && response.message) {
+                return new MediaFireError(response.message, Number(response.error), status, data);
+            }
+            var error = new MediaFireError(req && req.error || 'Request failed with HTTP status ' + status, undefined, status, data);
+            error.aborted = Boolean(req && req.aborted);
+            return error;
+        };
+
+        /**
+         * Recovers from a session error: an out of sync v2 token is dropped (and the pool rebuilt once it's empty),
+         * an expired session token is forgotten and reported
+         * @param {Session=} session The v2 session token the failed request was signed with
+         * @private
+         */
+        this._handleSessionError = function(session) {
+            var index = session ? this._v2SessionTokens.indexOf(session) : -1;
+            if(index !== -1) {
+                this._v2SessionTokens.splice(index, 1);
+                if(this._v2SessionTokens.length === 0) {
+                    this._getV2SessionTokens();
+                }
+                return;
+            }
+            if(!session && this._sessionToken) {
+                this._sessionToken = '';
+                this._v2SessionTokens = [];
+                this._onSessionExpired();
+            }
+        };
+
         /**
          * Extend or update the current session token
          * @private
@@ -157,22 +266,37 @@
                 }
             };
 
-            var versionPath = this._API_VERSION ? this._API_VERSION + '/' : '';
-            this._get(this._API_PATH + versionPath + 'user/renew_session_token.php', null, callbackRenewToken, this);
+            this._get(this._apiUrl('user/renew_session_token'), null, callbackRenewToken, this);
         };
 
         /**
-         * Core XHR functionality
-         * @param {string} url An absolute or relative url for the XHR
+         * Builds the url of an API method
+         * @param {string} path The method path, like 'user/get_info'
+         * @param {string=} apiVersion API version to use instead of the default one
+         * @param {boolean=} secure Use https for the protocol-relative default API path
+         * @returns {string}
+         * @private
+         */
+        this._apiUrl = function(path, apiVersion, secure) {
+            apiVersion = apiVersion || this._API_VERSION;
+            var versionPath = apiVersion ? apiVersion + '/' : '';
+            var base = secure && this._API_PATH.indexOf('//') === 0 ? 'https:' + this._API_PATH : this._API_PATH;
+            return base + versionPath + path + '.php';
+        };
+
+        /**
+         * Core request functionality
+         * @param {string} url An absolute or relative url for the request
          * @param {object=} params Parameters to include with the request
          * @param {object=} callback The success and/or error callback functions
          * @param {*=} scope A scope to call the callback functions with
+         * @param {object=} request Request settings: method ('GET' or 'POST'), timeout (ms), signal (AbortSignal)
+         *     and background (left alone by abort)
          * @private
          */
-        this._get = function(url, params, callback, scope) {
-            // Create XHR
-            var xhr = new XMLHttpRequest(),
-                oThis = this;
+        this._get = function(url, params, callback, scope, request) {
+            var oThis = this, session;
+            request = request || {};
 
             // Make sure params exists
             if(!params) {
@@ -186,9 +310,8 @@
                 params.session_token = this._sessionToken;
             }else if(this._TOKEN_VERSION == 2){ 
                 // v2 session token
-                var session = this._getAvailableSessionToken();
+                session = this._getAvailableSessionToken();
                 if(session){ // v2 session token found
-                    xhr.session = session;
                     params = session.authenticateParams(url, params);
                 }else{ // v2 session token not found
                     if(this._v2SessionTokens.length>0){ // make sure we actually have some v2 session tokens to choose from
@@ -196,7 +319,8 @@
                             qUrl: url,
                             qParams: params,
                             qCallback: callback,
-                            qScope: scope
+                            qScope: scope,
+                            qRequest: request
                         });
                         return;
                     }else{ // we haven't gotten any v2 session tokens yet, just use a v1 for now
@@ -205,56 +329,144 @@
                 }
             }
 
-            // Construct parameters
-            url += '?' + Object.keys(params).map(function(key) {
+            // Construct parameters, long ones don't fit into the url
+            var query = Object.keys(params).map(function(key) {
                 return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
             }).join('&');
+            var method = request.method || (url.length + query.length + 1 > this._MAX_URL_LENGTH ? 'POST' : 'GET');
+
+            // Handed to the transport, and to the callbacks once finished
+            var req = {
+                method: method,
+                url: method === 'POST' ? url : url + '?' + query,
+                params: params,
+                body: method === 'POST' ? query : null,
+                session: session,
+                status: 0,
+                responseText: ''
+            };
 
-            // Handle callbacks
-            xhr.onreadystatechange = function() {
-                if (xhr.readyState === 4) {
-                    // Return raw response if we cannot parse JSON.
-                    var response = (typeof JSON === 'undefined') ? xhr.responseText : JSON.parse(xhr.responseText);
-                    if (xhr.status === 200) {
-                        // Success
-                        if(callback.success) {
-                            // handle v2 session token on return
-                            if(oThis._TOKEN_VERSION == 2){ 
-                                // Secret key needs to be updated
-                                if(response.response.new_key === 'yes' && this.session) {
-                                    this.session.updateSecret();
-                                // A new session was created
-                                } else if(response.response.secret_key) {
-                                    var newSession = new Session(response.response);
-                                    oThis._v2SessionTokens.push(newSession);
-                                }
-                            }
-                            callback.success.call(scope, response, xhr);
-                        }
-                    } else {
-                        // Error
-                        if(callback.error) {
-                            callback.error.call(scope, response, xhr);
-                        }
-                    }
-                    oThis._processQueue();
+            var finished = false, abortTransport, timer;
+            var finish = function(status, responseText) {
+                if(finished) {
+                    return;
+                }
+                finished = true;
+                clearTimeout(timer);
+                var index = oThis._pendingRequests.indexOf(onAbort);
+                if(index !== -1) {
+                    oThis._pendingRequests.splice(index, 1);
+                }
+                if(request.signal) {
+                    request.signal.removeEventListener('abort', onAbort);
                 }
+                req.status = status;
+                req.responseText = responseText || '';
+                oThis._handleResponse(req, callback, scope);
             };
+            // Ends the request with status 0, like a network error
+            var cancel = function(reason) {
+                if(finished) {
+                    return;
+                }
+                req.error = reason;
+                if(abortTransport) {
+                    abortTransport();
+                }
+                finish(0, '');
+            };
+            var onAbort = function() {
+                req.aborted = true;
+                cancel('Request aborted');
+            };
+
+            if(request.signal) {
+                if(request.signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                request.signal.addEventListener('abort', onAbort);
+            }
+            if(!request.background) {
+                this._pendingRequests.push(onAbort);
+            }
+            var timeout = typeof request.timeout === 'number' ? request.timeout : this._TIMEOUT;
+            if(timeout > 0) {
+                timer = setTimeout(function() {
+                    cancel('Request timed out after ' + timeout + ' ms');
+                }, timeout);
+            }
 
             // Send request
-            xhr.open('GET', url, true);
-            xhr.send(null);
+            abortTransport = this._transport(req, finish);
+        };
+
+        /**
+         * Parses a finished request and calls the callbacks
+         * @param {object} req The finished request, see _get
+         * @param {object=} callback The success and/or error callback functions
+         * @param {*=} scope A scope to call the callback functions with
+         * @private
+         */
+        this._handleResponse = function(req, callback, scope) {
+            // Return raw response if we cannot parse JSON.
+            var response = req.responseText;
+            try {
+                response = JSON.parse(req.responseText);
+            } catch(e) {}
+            // HTML error pages and the like
+            var valid = response !== null && typeof response === 'object' && response.response !== null && typeof response.response === 'object';
+
+            if (req.status === 200 && valid) {
+                // Success
+                // handle v2 session token on return
+                if(this._TOKEN_VERSION == 2){ 
+                    // Secret key needs to be updated
+                    if(response.response.new_key === 'yes' && req.session) {
+                        req.session.updateSecret();
+                    // A new session was created
+                    } else if(response.response.secret_key) {
+                        var newSession = new Session(response.response);
+                        this._v2SessionTokens.push(newSession);
+                    }
+                }
+                if(callback.success) {
+                    callback.success.call(scope, response, req);
+                }
+            } else {
+                if(req.status === 200) {
+                    req.error = 'Invalid response from the API';
+                }
+                // Release the v2 session token, its secret key changes only when the API says so
+                if(req.session) {
+                    if(valid && response.response.new_key === 'yes') {
+                        req.session.updateSecret();
+                    } else {
+                        req.session.available = true;
+                    }
+                }
+                if(valid && SESSION_ERROR_CODES.indexOf(Number(response.response.error)) !== -1) {
+                    this._handleSessionError(req.session);
+                }
+                // Error
+                if(callback.error) {
+                    callback.error.call(scope, response, req);
+                }
+            }
+            this._processQueue();
         };
 
         /**
          * Generates an upload action token
          * @param {(object|function)=} callback The success and/or error callback functions
+         * @returns {(Promise|undefined)} Promise of the response if no callback was given
          * @private
          */
         this._getUploadActionToken = function(callback) {
-            var options = {type: 'upload', lifespan: 1440};
-            var versionPath = this._API_VERSION ? this._API_VERSION + '/' : '';
-            this._get(this._API_PATH + versionPath + 'user/get_action_token.php', options, this._parseCallback(callback), this);
+            return this._promisify(callback, function(callback) {
+                var options = {type: 'upload', lifespan: 1440};
+                this._get(this._apiUrl('user/get_action_token'), options, callback, this);
+            });
         };
 
         /**
@@ -280,7 +492,7 @@
         this._processQueue = function() {
             if(this._requestQueue.length>0){
                 var req = this._requestQueue[0];
-                this._get(req.qUrl, req.qParams, req.qCallback, req.qScope);
+                this._get(req.qUrl, req.qParams, req.qCallback, req.qScope, req.qRequest);
                 this._requestQueue.splice(0,1);
             }
         };
@@ -291,10 +503,9 @@
          */
         this._getV2SessionTokens = function() {
             if(this._sessionToken && this._v2SessionTokens.length == 0){
-                var versionPath = this._API_VERSION ? this._API_VERSION + '/' : '';
                 for(var x=0; x<this._v2SessionTokensNum; x++){ // get 6 v2 session tokens
                     // Send upgrade session token request
-                    this._get('https:' + this._API_PATH + versionPath + 'user/upgrade_session_token.php', {}, {success:function(){}}, this);
+                    this._get(this._apiUrl('user/upgrade_session_token', null, true), {}, {success:function(){}}, this, {background: true});
                 }
             }
         };
@@ -304,7 +515,7 @@
      * Creates a new session
      * @param {object} credentials
      * @param {(object|function)=} callback The success and/or error callback functions
-     * @returns {MediaFire} For chaining methods
+     * @returns {(MediaFire|Promise)} For chaining methods, or a Promise of the response if no callback was given
      */
     MediaFire.prototype.login = function(credentials, callback) {
         // Auth-like login available, and credentials is a callback or null
@@ -314,52 +525,133 @@
         }
 
         var oThis = this;
-        callback = this._parseCallback(callback);
+        var promise = this._promisify(callback, function(callback) {
+            /** @this MediaFire */
+            var saveToken = function(data) {
+                oThis._sessionToken = data.response.session_token;
+                if(oThis._TOKEN_VERSION == 2){
+                    oThis._getV2SessionTokens();
+                }
+            };
 
-        /** @this MediaFire */
-        var saveToken = function(data) {
-            oThis._sessionToken = data.response.session_token;
-            if(oThis._TOKEN_VERSION == 2){
-                oThis._getV2SessionTokens();
+            // Inject internal success callback
+            if(callback.success) {
+                var originalCallback = callback.success;
+                callback.success = function(data) {
+                    saveToken(data);
+                    originalCallback(data);
+                };
+            } else {
+                callback.success = saveToken;
             }
-        };
-
-        // Inject internal success callback
-        if(callback.success) {
-            var originalCallback = callback.success;
-            callback.success = function(data) {
-                saveToken(data);
-                originalCallback(data);
-            };
-        } else {
-            callback.success = saveToken;
-        }
 
-        // Determine what credentials are needed to for the signature.
-        var partial;
-        if(credentials.email && credentials.password) {
-            partial = credentials.email + credentials.password;
-        } else if(credentials.tw_oauth_token && credentials.tw_oauth_token_secret) {
-            partial = credentials.tw_oauth_token + credentials.tw_oauth_token_secret;
-        } else if (credentials.fb_access_token) {
-            partial = credentials.fb_access_token;
-        }
+            // Determine what credentials are needed to for the signature.
+            var partial;
+            if(credentials.email && credentials.password) {
+                partial = credentials.email + credentials.password;
+            } else if(credentials.tw_oauth_token && credentials.tw_oauth_token_secret) {
+                partial = credentials.tw_oauth_token + credentials.tw_oauth_token_secret;
+            } else if (credentials.fb_access_token) {
+                partial = credentials.fb_access_token;
+            }
 
-        // Augment credentials
-        credentials.application_id = this._appId;
-        credentials.signature = new SHA1().digestFromString(partial + this._appId + this._appKey);
+            // Augment credentials
+            credentials.application_id = this._appId;
+            credentials.signature = new SHA1().digestFromString(partial + this._appId + this._appKey);
 
-        // Send session token request
-        var versionPath = this._API_VERSION ? this._API_VERSION + '/' : '';
-        this._get('https:' + this._API_PATH + versionPath + 'user/get_session_token.php', credentials, callback, this);
+            // Send session token request
+            this._get(this._apiUrl('user/get_session_token', null, true), credentials, callback, this);
+        });
 
         // If using v1 session token, renew session token every 6 minutes.
         if(this._TOKEN_VERSION == 1){
             var self = this;
-            setInterval(function() {
+            clearInterval(this._renewInterval);
+            this._renewInterval = setInterval(function() {
                 self._renew.call(self);
             }, 6 * 60 * 1000);
         }
+        return promise || this;
+    };
+
+    /**
+     * Tells if there is a session token to send requests with
+     * @returns {boolean}
+     */
+    MediaFire.prototype.isLoggedIn = function() {
+        return !!this._sessionToken;
+    };
+
+    /**
+     * Returns the current session tokens, they can be given to restoreSession later.
+     * Secret keys of v2 tokens change with every request, so the state goes stale quickly.
+     * @returns {object}
+     */
+    MediaFire.prototype.getSession = function() {
+        return {
+            sessionToken: this._sessionToken,
+            v2SessionTokens: this._v2SessionTokens.map(function(session) {
+                return {session_token: session.sessionToken, secret_key: session.secretKey, time: session.initTime};
+            })
+        };
+    };
+
+    /**
+     * Continues a session saved with getSession
+     * @param {object} state
+     * @returns {MediaFire} For chaining methods
+     */
+    MediaFire.prototype.restoreSession = function(state) {
+        this._sessionToken = state.sessionToken;
+        this._v2SessionTokens = (state.v2SessionTokens || []).map(function(data) {
+            return new Session(data);
+        });
+        if(this._TOKEN_VERSION == 2 && this._v2SessionTokens.length === 0) {
+            this._getV2SessionTokens();
+        }
+        return this;
+    };
+
+    /**
+     * Forgets all session tokens and drops queued requests
+     * @returns {MediaFire} For chaining methods
+     */
+    MediaFire.prototype.logout = function() {
+        clearInterval(this._renewInterval);
+        this._sessionToken = '';
+        this._v2SessionTokens = [];
+        this._requestQueue = [];
+        this._actionToken = undefined;
+        this._uploader = undefined;
+        return this;
+    };
+
+    /**
+     * Aborts all requests in progress and drops the queued ones, their error callbacks get an aborted request.
+     * Requests upgrading session tokens are left alone.
+     * @returns {MediaFire} For chaining methods
+     */
+    MediaFire.prototype.abort = function() {
+        // Drain the queue first, aborted requests would send the queued ones
+        var queue = this._requestQueue;
+        this._requestQueue = [];
+        queue.forEach(function(req) {
+            if(req.qCallback.error) {
+                req.qCallback.error.call(req.qScope, '', {
+                    method: 'GET',
+                    url: req.qUrl,
+                    params: req.qParams,
+                    body: null,
+                    status: 0,
+                    responseText: '',
+                    error: 'Request aborted',
+                    aborted: true
+                });
+            }
+        });
+        this._pendingRequests.slice().forEach(function(abort) {
+            abort();
+        });
         return this;
     };
 
@@ -368,15 +660,15 @@
      * @param {string} path The relevant api path
      * @param {object=} options Parameters to include with the request
      * @param {(object|function)=} callback The success and/or error callback functions
-     * @returns {MediaFire} For chaining methods
+     * @param {string=} apiVersion API version to use instead of the default one
+     * @param {object=} request Request settings: method ('GET' or 'POST'), timeout (ms) and signal (AbortSignal)
+     * @returns {(MediaFire|Promise)} For chaining methods, or a Promise of the response if no callback was given
      */
-    MediaFire.prototype.api = function(path, options, callback, apiVersion) {
-        // Allow override of global API version
-        apiVersion = apiVersion || this._API_VERSION;
-
-        var versionPath = apiVersion ? apiVersion + '/' : '';
-        this._get(this._API_PATH + path + '.php', options, this._parseCallback(callback), this);
-        return this;
+    MediaFire.prototype.api = function(path, options, callback, apiVersion, request) {
+        var promise = this._promisify(callback, function(callback) {
+            this._get(this._apiUrl(path, apiVersion), options, callback, this, request);
+        });
+        return promise || this;
     };
 
     /**
@@ -387,6 +679,10 @@
      * @returns {MediaFire} For chaining methods
      */
     MediaFire.prototype.upload = function(files, callbacks, options) {
+        if(typeof window === 'undefined') {
+            throw new Error('Uploads are only supported in a browser');
+        }
+
         var actionToken = this._actionToken;
         var self = this;
         var bFilesSent = false;
@@ -435,7 +731,110 @@
         return this;
     };    
     
-    
+
+    /**
+     * MediaFire error codes of expired or out of sync sessions: missing and invalid session token, invalid signature
+     * @constant
+     * @type {Array.<number>}
+     */
+    var SESSION_ERROR_CODES = [104, 105, 127];
+
+    /**
+     * Error returned by the MediaFire API
+     * @param {string} message The error message
+     * @param {number=} code MediaFire error code, if the API returned one
+     * @param {number=} status HTTP status of the response
+     * @param {*=} response The parsed (or raw) response
+     * @property {boolean} aborted Whether the request was aborted with an AbortSignal
+     * @constructor
+     * @extends Error
+     */
+    function MediaFireError(message, code, status, response) {
+        this.name = 'MediaFireError';
+        this.message = message;
+        this.code = code;
+        this.status = status;
+        this.response = response;
+        this.aborted = false;
+        this.stack = (new Error(message)).stack;
+    }
+    MediaFireError.prototype = Object.create(Error.prototype);
+    MediaFireError.prototype.constructor = MediaFireError;
+
+    /**
+     * Transports send requests given as {method, url, params, body} and call `respond(status, responseText)`
+     * once done, with status 0 on network errors. They may return a function aborting the request.
+     * A custom one can be given with the `transport` option, like one made by MediaFire.mockTransport.
+     * @type {object.<string, function(object, function(number, string)): (function()|undefined)>}
+     */
+    var transports = {
+        /**
+         * Sends requests with XMLHttpRequest
+         */
+        xhr: function(req, respond) {
+            var xhr = new XMLHttpRequest();
+            xhr.onreadystatechange = function() {
+                if(xhr.readyState === 4) {
+                    respond(xhr.status, xhr.responseText);
+                }
+            };
+            xhr.open(req.method, req.url, true);
+            if(req.body !== null) {
+                xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+            }
+            xhr.send(req.body);
+            return function() {
+                xhr.abort();
+            };
+        },
+
+        /**
+         * Sends requests with fetch, protocol-relative urls are requested over https
+         */
+        fetch: function(req, respond) {
+            var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            var status = 0;
+            fetch(req.url.indexOf('//') === 0 ? 'https:' + req.url : req.url, {
+                method: req.method,
+                headers: req.body !== null ? {'Content-Type': 'application/x-www-form-urlencoded'} : undefined,
+                body: req.body !== null ? req.body : undefined,
+                signal: controller ? controller.signal : undefined
+            }).then(function(response) {
+                status = response.status;
+                return response.text();
+            }).then(function(text) {
+                respond(status, text);
+            }, function() {
+                respond(0, '');
+            });
+            return function() {
+                if(controller) {
+                    controller.abort();
+                }
+            };
+        }
+    };
+
+    /**
+     * Creates a transport answering requests without the network, for tests and offline development
+     * @param {function(object): (object|Promise)} handler Gets the request ({method, url, params, body})
+     *     and returns (or resolves to) {status, body}, status defaults to 200 and objects are sent as JSON.
+     *     Throwing (or rejecting) acts like a network error.
+     * @returns {function(object, function(number, string))}
+     */
+    MediaFire.mockTransport = function(handler) {
+        return function(req, respond) {
+            Promise.resolve().then(function() {
+                return handler(req);
+            }).then(function(result) {
+                var body = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+                respond(result.status || 200, body);
+            }, function() {
+                respond(0, '');
+            });
+        };
+    };
+
     /**
      * Represents a Version 2 Session Token.
      * @constructor
@@ -471,8 +870,8 @@
                 return keys;
             };
             
-            if(forceRelative && url.indexOf('mediafire.com') !== -1) {
-                url = url.split('mediafire.com').pop();
+            if(forceRelative) {
+                url = url.replace(/^(?:https?:)?\/\/[^\/]+/, '');
             }
     
             if(!params) {
@@ -538,7 +937,14 @@
         return params;
     };
 
-    window.MF = MediaFire;
+    MediaFire.MediaFireError = MediaFireError;
+    MediaFire.SESSION_ERROR_CODES = SESSION_ERROR_CODES;
+    MediaFire.transports = transports;
+    if(typeof module !== 'undefined' && module.exports) {
+        module.exports = MediaFire;
+    } else {
+        window.MF = MediaFire;
+    }
 })();
 
 /**
@@ -558,5 +964,5 @@
         for(j=k+40|0;(j|0)<(k+60|0);j=j+1|0){t1=(((H[j-3<<2>>2]^H[j-8<<2>>2]^H[j-14<<2>>2]^H[j-16<<2>>2])<<1|(H[j-3<<2>>2]^H[j-8<<2>>2]^H[j-14<<2>>2]^H[j-16<<2>>2])>>>31));t0=((((y0)<<5|(y0)>>>27)+(y1&y2|y1&y3|y2&y3)|0)+((t1+y4|0)-1894007588|0)|0);y4=y3;y3=y2;y2=((y1)<<30|(y1)>>>2);y1=y0;y0=t0;H[j<<2>>2]=t1;}
         for(j=k+60|0;(j|0)<(k+80|0);j=j+1|0){t1=(((H[j-3<<2>>2]^H[j-8<<2>>2]^H[j-14<<2>>2]^H[j-16<<2>>2])<<1|(H[j-3<<2>>2]^H[j-8<<2>>2]^H[j-14<<2>>2]^H[j-16<<2>>2])>>>31));t0=((((y0)<<5|(y0)>>>27)+(y1^y2^y3)|0)+((t1+y4|0)-899497514|0)|0);y4=y3;y3=y2;y2=((y1)<<30|(y1)>>>2);y1=y0;y0=t0;H[j<<2>>2]=t1;}
         y0=y0+z0|0;y1=y1+z1|0;y2=y2+z2|0;y3=y3+z3|0;y4=y4+z4|0;}H[0]=y0;H[1]=y1;H[2]=y2;H[3]=y3;H[4]=y4;}return{hash:hash};}
-    window.SHA1=Rusha;
+    (typeof window !== 'undefined' ? window : typeof global !== 'undefined' ? global : self).SHA1=Rusha;
 })();
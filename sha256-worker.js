@@ -0,0 +1,116 @@
+/**
+ * Web Worker computing SHA-256 hashes of local files, the hash MediaFire uses for instant uploads.
+ *
+ * Receives {id, file} and reads the file in chunks, posting {id, loaded} after every chunk
+ * and finally {id, hash} (or {id, error}).
+ */
+(function() {
+  "use strict";
+
+  const K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+
+  // incremental SHA-256, `update` takes Uint8Arrays, `digest` returns the hex string
+  const createHasher = () => {
+    const state = new Int32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Int32Array(64);
+    const buffer = new Uint8Array(64);
+    let buffered = 0, total = 0;
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    const compress = (data, offset) => {
+      for(let i = 0; i < 16; ++i, offset += 4)
+        w[i] = data[offset] << 24 | data[offset + 1] << 16 | data[offset + 2] << 8 | data[offset + 3];
+      for(let i = 16; i < 64; ++i) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+      }
+
+      let [a, b, c, d, e, f, g, h] = state;
+      for(let i = 0; i < 64; ++i) {
+        const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i] | 0;
+        const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c)) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = d + t1 | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = t1 + t2 | 0;
+      }
+      state[0] += a;
+      state[1] += b;
+      state[2] += c;
+      state[3] += d;
+      state[4] += e;
+      state[5] += f;
+      state[6] += g;
+      state[7] += h;
+    };
+
+    const update = data => {
+      let offset = 0;
+      total += data.length;
+      if(buffered > 0) {
+        offset = Math.min(64 - buffered, data.length);
+        buffer.set(data.subarray(0, offset), buffered);
+        buffered += offset;
+        if(buffered < 64)
+          return;
+        compress(buffer, 0);
+        buffered = 0;
+      }
+      for(; offset + 64 <= data.length; offset += 64)
+        compress(data, offset);
+      buffer.set(data.subarray(offset), 0);
+      buffered = data.length - offset;
+    };
+
+    const digest = () => {
+      const padding = new Uint8Array((buffered < 56 ? 64 : 128) - buffered);
+      padding[0] = 0x80;
+      // length in bits as a 64-bit big-endian number
+      const high = Math.floor(total / 0x20000000), low = (total * 8) >>> 0;
+      const end = padding.length;
+      for(let i = 0; i < 4; ++i) {
+        padding[end - 8 + i] = high >>> (24 - 8 * i);
+        padding[end - 4 + i] = low >>> (24 - 8 * i);
+      }
+      update(padding);
+      return Array.from(state, x => (x >>> 0).toString(16).padStart(8, "0")).join("");
+    };
+
+    return {update, digest};
+  };
+
+  const CHUNK_SIZE = 4 * 1024 * 1024;
+
+  if(typeof FileReaderSync !== "undefined") {
+    const reader = new FileReaderSync();
+    self.onmessage = ({data: {id, file}}) => {
+      try {
+        const hasher = createHasher();
+        for(let loaded = 0; loaded < file.size; loaded += CHUNK_SIZE) {
+          hasher.update(new Uint8Array(reader.readAsArrayBuffer(file.slice(loaded, loaded + CHUNK_SIZE))));
+          self.postMessage({id, loaded: Math.min(loaded + CHUNK_SIZE, file.size)});
+        }
+        self.postMessage({id, hash: hasher.digest()});
+      } catch (err) {
+        self.postMessage({id, error: err.message});
+      }
+    };
+  }
+})();
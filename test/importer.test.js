@@ -0,0 +1,231 @@
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert");
+const MF = require("../mediafire.js");
+const MFImporter = require("../importer.js");
+
+const hash = "ab".repeat(32);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("parseLine", () => {
+  assert.deepStrictEqual(MFImporter.parseLine(`a/b/name.zip;10;${hash}`), {type: "manifest", filename: "name.zip", path: "a/b/", size: "10", hash});
+  assert.deepStrictEqual(MFImporter.parseLine("https://www.mediafire.com/file/abc123/name.zip/file"), {type: "file", quickKey: "abc123"});
+  assert.deepStrictEqual(MFImporter.parseLine("https://www.mediafire.com/folder/xyz789/"), {type: "folder", folderKey: "xyz789"});
+  assert.strictEqual(MFImporter.parseLine("hello"), null);
+});
+
+test("runConcurrent reports in input order", async () => {
+  const reported = [];
+  await MFImporter.runConcurrent([30, 10, 20, 0], 3, async ms => {
+    await sleep(ms);
+    return ms;
+  }, (result, index) => reported.push([index, result]));
+  assert.deepStrictEqual(reported, [[0, 30], [1, 10], [2, 20], [3, 0]]);
+});
+
+test("runConcurrent starts nothing new once onResult returns false", async () => {
+  const started = [], reported = [];
+  await MFImporter.runConcurrent([0, 1, 2, 3, 4, 5], 1, async item => {
+    started.push(item);
+    return item;
+  }, result => {
+    reported.push(result);
+    return result !== 1;
+  });
+  assert.deepStrictEqual(started, [0, 1]);
+  assert.deepStrictEqual(reported, [0, 1]);
+});
+
+test("runConcurrent waits while paused and stops when cancelled", async () => {
+  const control = MFImporter.createControl(), reported = [];
+  control.pause();
+  const done = MFImporter.runConcurrent([1, 2, 3], 1, async item => item, result => reported.push(result), control);
+  await sleep(10);
+  assert.deepStrictEqual(reported, []);
+  control.resume();
+  control.cancel();
+  await done;
+  assert.ok(reported.length < 3);
+});
+
+// answers the API calls made by a login and file imports, `failing` quick keys can't be copied,
+// with `singleUpdates` file/update refuses lists of quick keys, with `hang` file requests never finish
+const createMock = ({failing = [], delay = 0, singleUpdates = false, hang = false} = {}) => {
+  const calls = [];
+  let tokens = 0;
+  const transport = MF.mockTransport(async req => {
+    const path = req.url.replace(/^.*\/api\/(?:1\.\d+\/)?/, "").replace(/\.php.*$/, "");
+    calls.push({path, params: req.params});
+    const success = response => ({body: {response: {result: "Success", new_key: "yes", ...response}}});
+    if(path === "user/get_session_token")
+      return success({session_token: "token"});
+    if(path === "user/upgrade_session_token")
+      return success({session_token: `v2-${tokens++}`, secret_key: "1", time: "1.0"});
+    if(hang)
+      return new Promise(() => {});
+    await sleep(delay);
+    if(path === "file/get_info")
+      return success({file_info: {quickkey: req.params.quick_key, filename: `${req.params.quick_key}.bin`, size: "1", hash}});
+    if(path === "upload/instant") {
+      if(failing.some(quickKey => req.params.filename === `${quickKey}.bin`))
+        return {status: 400, body: {response: {result: "Error", error: 110, message: "Unknown or invalid quickkey"}}};
+      return success({quickkey: `new-${req.params.filename}`});
+    }
+    if(path === "file/update" && singleUpdates && req.params.quick_key.includes(","))
+      return {status: 400, body: {response: {result: "Error", error: 110, message: "Unknown or invalid quickkey"}}};
+    return success({});
+  });
+  return {transport, calls};
+};
+
+const login = async transport => {
+  const app = new MF(1, {transport});
+  await app.login({email: "user@example.com", password: "password"});
+  return app;
+};
+
+const fileLines = count => Array.from({length: count}, (_, i) => {
+  const line = `https://www.mediafire.com/file/key${i}/`;
+  return {...MFImporter.parseLine(line), line};
+});
+
+test("login and import through a mock transport", async () => {
+  const {transport, calls} = createMock({failing: ["key2"]});
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const imported = [];
+  const failures = await importer.run(fileLines(4), [], {targetKey: null, concurrency: 2, continueOnError: true, metadata: {privacy: "private"}}, {
+    onImport: (result, reason) => imported.push([result.entry.filename, reason === null])
+  });
+  app.logout();
+
+  assert.deepStrictEqual(imported, [["key0.bin", true], ["key1.bin", true], ["key2.bin", false], ["key3.bin", true]]);
+  assert.deepStrictEqual(failures.map(({line}) => line), ["https://www.mediafire.com/file/key2/"]);
+  const updates = calls.filter(({path}) => path === "file/update");
+  assert.deepStrictEqual(updates.map(({params}) => params.quick_key), ["new-key0.bin,new-key1.bin,new-key3.bin"]);
+  assert.ok(updates.every(({params}) => params.privacy === "private"));
+});
+
+test("file/update falls back to one call per file when the batch fails", async () => {
+  const {transport, calls} = createMock({singleUpdates: true});
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const imported = [];
+  const failures = await importer.run(fileLines(3), [], {targetKey: null, concurrency: 2, metadata: {description: "backup"}}, {
+    onImport: (result, reason) => imported.push([result.entry.filename, reason])
+  });
+  app.logout();
+
+  assert.deepStrictEqual(imported, [["key0.bin", null], ["key1.bin", null], ["key2.bin", null]]);
+  assert.deepStrictEqual(failures, []);
+  const updates = calls.filter(({path}) => path === "file/update").map(({params}) => params.quick_key);
+  assert.deepStrictEqual(updates.slice(1).sort(), ["new-key0.bin", "new-key1.bin", "new-key2.bin"]);
+});
+
+test("the first failure stops the import without continueOnError", async () => {
+  const {transport} = createMock({failing: ["key1"]});
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const imported = [];
+  const failures = await importer.run(fileLines(6), [], {targetKey: null, concurrency: 1}, {
+    onImport: result => imported.push(result.entry.filename)
+  });
+  app.logout();
+
+  assert.deepStrictEqual(imported, ["key0.bin", "key1.bin"]);
+  assert.strictEqual(failures.length, 1);
+});
+
+test("cancelling stops the import", async () => {
+  const {transport, calls} = createMock({delay: 5});
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const control = MFImporter.createControl();
+  const imported = [];
+  const result = await importer.run(fileLines(10), [], {targetKey: null, concurrency: 1, control}, {
+    onImport: result => {
+      imported.push(result.entry.filename);
+      if(imported.length === 2)
+        control.cancel();
+    }
+  });
+  app.logout();
+
+  assert.strictEqual(result, null);
+  assert.deepStrictEqual(imported, ["key0.bin", "key1.bin"]);
+  assert.ok(calls.filter(({path}) => path === "upload/instant").length < 10);
+});
+
+test("runConcurrent runs at most `concurrency` workers at once", async () => {
+  let running = 0, most = 0;
+  await MFImporter.runConcurrent(Array.from({length: 10}, (_, i) => i), 3, async item => {
+    most = Math.max(most, ++running);
+    await sleep(item % 3);
+    --running;
+  }, () => {});
+  assert.strictEqual(most, 3);
+});
+
+test("server errors are retried with a growing delay, API errors aren't", async () => {
+  const attempts = new Map();
+  let tokens = 0;
+  const transport = MF.mockTransport(req => {
+    const path = req.url.replace(/^.*\/api\/(?:1\.\d+\/)?/, "").replace(/\.php.*$/, "");
+    const success = response => ({body: {response: {result: "Success", new_key: "yes", ...response}}});
+    if(path === "user/get_session_token")
+      return success({session_token: "token"});
+    if(path === "user/upgrade_session_token")
+      return success({session_token: `v2-${tokens++}`, secret_key: "1", time: "1.0"});
+    const key = req.params.quick_key;
+    attempts.set(key, (attempts.get(key) || 0) + 1);
+    if(key === "flaky" && attempts.get(key) < 3)
+      return {status: 503, body: "Service Unavailable"};
+    if(key === "dead")
+      return {status: 400, body: {response: {result: "Error", error: 110, message: "Unknown or invalid quickkey"}}};
+    return success({file_info: {quickkey: key}});
+  });
+  const app = await login(transport);
+  const delays = [];
+  const importer = MFImporter.createImporter(app, {retryAttempts: 3, retryDelay: 10, onRetry: (path, err, delay) => delays.push(delay)});
+
+  const info = await importer.api("file/get_info", {quick_key: "flaky"});
+  assert.strictEqual(info.response.file_info.quickkey, "flaky");
+  assert.strictEqual(attempts.get("flaky"), 3);
+  assert.strictEqual(delays.length, 2);
+  assert.ok(delays[1] > delays[0]);
+
+  await assert.rejects(importer.api("file/get_info", {quick_key: "dead"}), err => err.code === 110);
+  assert.strictEqual(attempts.get("dead"), 1);
+  app.logout();
+});
+
+test("a paused import copies nothing until resumed", async () => {
+  const {transport, calls} = createMock();
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const control = MFImporter.createControl();
+  control.pause();
+  const done = importer.run([], fileLines(3).map((parsed, i) => ({
+    filename: `file${i}.bin`, size: "1", hash, quickKey: null, folderKey: null, line: parsed.line
+  })), {targetKey: null, concurrency: 2, control});
+  await sleep(20);
+  assert.strictEqual(calls.filter(({path}) => path === "upload/instant").length, 0);
+
+  control.resume();
+  assert.deepStrictEqual(await done, []);
+  assert.strictEqual(calls.filter(({path}) => path === "upload/instant").length, 3);
+  app.logout();
+});
+
+test("cancelling aborts the requests in progress", async () => {
+  const {transport} = createMock({hang: true});
+  const app = await login(transport);
+  const importer = MFImporter.createImporter(app, {retryAttempts: 0});
+  const control = MFImporter.createControl();
+  const done = importer.run(fileLines(3), [], {targetKey: null, concurrency: 3, control});
+  await sleep(20);
+  control.cancel();
+  const result = await Promise.race([done, sleep(1000).then(() => "still running")]);
+  assert.strictEqual(result, null);
+  app.logout();
+});
@@ -0,0 +1,71 @@
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert");
+const InputFormats = require("../input-formats.js");
+
+const hash = "ab".repeat(32);
+
+test("lines: links and manifest lines, the rest is reported", () => {
+  const {format, items, unparsed} = InputFormats.parse(`https://www.mediafire.com/file/abc123/\n\ndir/name.zip;10;${hash}\nhello`);
+  assert.strictEqual(format, "lines");
+  assert.deepStrictEqual(items, [
+    {link: "https://www.mediafire.com/file/abc123/"},
+    {filename: "name.zip", path: "dir/", size: 10, hash}
+  ]);
+  assert.deepStrictEqual(unparsed.map(({line}) => line), ["hello"]);
+});
+
+test("sha256sum: sizes from <size> <path> lines", () => {
+  const {format, items, unparsed} = InputFormats.parse(`${hash} *./a/b.bin\n${hash}  c.bin\n5 a/b.bin\nwhat`);
+  assert.strictEqual(format, "sha256sum");
+  assert.deepStrictEqual(items, [
+    {filename: "b.bin", path: "a/", size: 5, hash},
+    {filename: "c.bin", path: "", size: null, hash}
+  ]);
+  assert.deepStrictEqual(unparsed.map(({line}) => line), ["what"]);
+});
+
+test("csv: quoted fields and invalid rows", () => {
+  const text = `name,size,sha256\n"a, b.txt",3,${hash}\nbad.txt,x,${hash}\n`;
+  const {format, items, unparsed} = InputFormats.parse(text, "auto", {filename: "list.csv", header: true, columns: ""});
+  assert.strictEqual(format, "csv");
+  assert.deepStrictEqual(items, [{filename: "a, b.txt", path: "", size: 3, hash}]);
+  assert.deepStrictEqual(unparsed.map(({reason}) => reason), ["invalid size: x"]);
+});
+
+test("json: links and objects", () => {
+  const {format, items, unparsed} = InputFormats.parse(JSON.stringify([
+    "https://www.mediafire.com/folder/xyz/", {filename: "f.txt", size: 1, sha256: hash.toUpperCase()}, 5
+  ]));
+  assert.strictEqual(format, "json");
+  assert.deepStrictEqual(items, [{link: "https://www.mediafire.com/folder/xyz/"}, {filename: "f.txt", path: "", size: 1, hash}]);
+  assert.strictEqual(unparsed.length, 1);
+  assert.deepStrictEqual(InputFormats.parse("{", "json").items, []);
+  assert.strictEqual(InputFormats.parse("{", "json").unparsed.length, 1);
+});
+
+test("lines: links embedded in other lines are picked up", () => {
+  const {items, unparsed} = InputFormats.parse(`Part 1: https://www.mediafire.com/file/aaa111/p1.rar\nname.zip;10;${hash}`);
+  assert.deepStrictEqual(items, [{link: "https://www.mediafire.com/file/aaa111"}, {filename: "name.zip", path: "", size: 10, hash}]);
+  assert.deepStrictEqual(unparsed, []);
+});
+
+test("text: embedded links, lines mentioning mediafire.com without one are reported", () => {
+  const {format, items, unparsed} = InputFormats.parse(
+    "get it at https://www.mediafire.com/file/abc123/x.zip or https://www.mediafire.com/file/abc123/\nthanks!\nmediafire.com/broken"
+  );
+  assert.strictEqual(format, "text");
+  assert.deepStrictEqual(items, [{link: "https://www.mediafire.com/file/abc123"}]);
+  assert.deepStrictEqual(unparsed.map(({line}) => line), ["mediafire.com/broken"]);
+});
+
+test("detection: forum posts with links on and between other lines", () => {
+  const bbcode = InputFormats.parse("[b]Mirror[/b]\n[url]https://www.mediafire.com/file/abc123/x.zip[/url]");
+  assert.strictEqual(bbcode.format, "text");
+  assert.deepStrictEqual(bbcode.items, [{link: "https://www.mediafire.com/file/abc123"}]);
+
+  const parts = InputFormats.parse("Part 1: https://www.mediafire.com/file/aaa111/p1.rar\nhttps://www.mediafire.com/file/bbb222/p2.rar");
+  assert.strictEqual(parts.format, "text");
+  assert.deepStrictEqual(parts.items.map(({link}) => link), ["https://www.mediafire.com/file/aaa111", "https://www.mediafire.com/file/bbb222"]);
+  assert.deepStrictEqual(parts.unparsed, []);
+});
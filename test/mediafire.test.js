@@ -0,0 +1,79 @@
+"use strict";
+const test = require("node:test");
+const assert = require("node:assert");
+const MF = require("../mediafire.js");
+
+// logs in through a mock transport, `handler` answers every other request
+const login = async (handler, options = {}) => {
+  const requests = [];
+  let tokens = 0;
+  const transport = MF.mockTransport(req => {
+    const path = req.url.replace(/^.*\/api\/(?:\d+\.\d+\/)?/, "").replace(/\.php.*$/, "");
+    const success = response => ({body: {response: {result: "Success", new_key: "yes", ...response}}});
+    if(path === "user/get_session_token")
+      return success({session_token: "token"});
+    if(path === "user/upgrade_session_token")
+      return success({session_token: `v2-${tokens++}`, secret_key: "1", time: "1.0"});
+    requests.push(req);
+    return handler(req, success);
+  });
+  const app = new MF(1, {transport, ...options});
+  await app.login({email: "user@example.com", password: "password"});
+  return {app, requests};
+};
+
+test("long parameter lists are sent with POST", async () => {
+  const {app, requests} = await login((req, success) => success({}));
+  await app.api("file/update", {quick_key: "short"});
+  await app.api("file/update", {quick_key: "x".repeat(3000)});
+  app.logout();
+
+  assert.deepStrictEqual(requests.map(({method}) => method), ["GET", "POST"]);
+  assert.ok(requests[0].url.includes("quick_key=short"));
+  assert.strictEqual(requests[1].url.includes("?"), false);
+  assert.ok(requests[1].body.includes(`quick_key=${"x".repeat(3000)}`));
+});
+
+test("requests time out", async () => {
+  const {app} = await login(() => new Promise(() => {}), {timeout: 50});
+  await assert.rejects(app.api("file/get_info", {quick_key: "abc"}), err => {
+    assert.ok(err instanceof MF.MediaFireError);
+    assert.match(err.message, /timed out after 50 ms/);
+    assert.strictEqual(err.status, 0);
+    return true;
+  });
+  await assert.rejects(app.api("file/get_info", {quick_key: "abc"}, null, null, {timeout: 20}), /timed out after 20 ms/);
+  app.logout();
+});
+
+test("an AbortSignal aborts the request", async () => {
+  const {app} = await login(() => new Promise(() => {}));
+  const controller = new AbortController();
+  const request = app.api("file/get_info", {quick_key: "abc"}, null, null, {signal: controller.signal});
+  controller.abort();
+  await assert.rejects(request, err => err instanceof MF.MediaFireError && err.aborted === true);
+
+  await assert.rejects(app.api("file/get_info", {quick_key: "abc"}, null, null, {signal: controller.signal}), err => err.aborted === true);
+  app.logout();
+});
+
+test("an HTML page instead of JSON is an error", async () => {
+  const {app} = await login(() => ({status: 200, body: "<html><body>Maintenance</body></html>"}));
+  await assert.rejects(app.api("file/get_info", {quick_key: "abc"}), err => {
+    assert.ok(err instanceof MF.MediaFireError);
+    assert.strictEqual(err.message, "Invalid response from the API");
+    assert.strictEqual(err.status, 200);
+    return true;
+  });
+  app.logout();
+});
+
+test("apiPath and apiVersion end up in the request url", async () => {
+  const {app, requests} = await login((req, success) => success({}), {apiPath: "http://localhost:8080/api/", apiVersion: "1.5"});
+  await app.api("file/get_info", {quick_key: "abc"});
+  await app.api("file/get_info", {quick_key: "abc"}, null, "1.4");
+  app.logout();
+
+  assert.ok(requests[0].url.startsWith("http://localhost:8080/api/1.5/file/get_info.php?"));
+  assert.ok(requests[1].url.startsWith("http://localhost:8080/api/1.4/file/get_info.php?"));
+});